@@ -0,0 +1,72 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer } = require('./helpers/server');
+
+const server = loadServer({
+  API_KEYS: [
+    'multi:key-multi:scrape:4',
+    'feeds:key-feeds:scrape:2',
+    'monitors:key-monitors:scrape:2',
+    'alice:key-alice:scrape|stats',
+    'bob:key-bob:scrape|stats',
+    'ops:key-ops:admin'
+  ].join(',')
+});
+const http = startServer(server);
+
+const as = key => ({ Authorization: `Bearer ${key}` });
+
+test('/scrape-multiple without accounts is charged for its five default accounts', async () => {
+  const response = await http.post('/scrape-multiple', {}, as('key-multi'));
+
+  assert.equal(response.status, 429);
+  assert.equal(http.pool.acquired.length, 0);
+});
+
+test('feeds are charged for every account in the path', async () => {
+  const response = await fetch(`${http.baseURL}/feeds/NASA+mixed+busy.json`, { headers: as('key-feeds') });
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('x-ratelimit-remaining'), '2');
+});
+
+test('a monitor check without accounts is charged for every registered monitor', async () => {
+  const created = await http.post('/monitors', { accounts: ['NASA', 'mixed', 'busy'] }, as('key-monitors'));
+  assert.equal(created.status, 201);
+
+  const response = await http.post('/monitors/check', {}, as('key-monitors'));
+  assert.equal(response.status, 429);
+});
+
+describe('job ownership', () => {
+  let jobId;
+  before(async () => {
+    const response = await http.post('/jobs', { accounts: ['NASA'] }, as('key-alice'));
+    assert.equal(response.status, 202);
+    jobId = (await response.json()).job_id;
+  });
+
+  const request = (method, url, key) => fetch(`${http.baseURL}${url}`, { method, headers: as(key) });
+
+  test('the key that started a job and admins can see it', async () => {
+    for (const key of ['key-alice', 'key-ops']) {
+      const response = await request('GET', `/jobs/${jobId}`, key);
+      assert.equal(response.status, 200, key);
+      assert.equal((await response.json()).job.owner, 'alice');
+    }
+  });
+
+  test('other keys get a 404 and cannot cancel it', async () => {
+    assert.equal((await request('GET', `/jobs/${jobId}`, 'key-bob')).status, 404);
+    assert.equal((await request('DELETE', `/jobs/${jobId}`, 'key-bob')).status, 404);
+    const { job } = await (await request('GET', `/jobs/${jobId}`, 'key-alice')).json();
+    assert.ok(!['cancelling', 'cancelled'].includes(job.status), job.status);
+
+    const list = await (await request('GET', '/jobs', 'key-bob')).json();
+    assert.deepEqual(list.jobs, []);
+  });
+
+  test('its owner can cancel it', async () => {
+    assert.equal((await request('DELETE', `/jobs/${jobId}`, 'key-alice')).status, 200);
+  });
+});
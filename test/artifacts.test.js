@@ -0,0 +1,70 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer } = require('./helpers/server');
+
+const server = loadServer({ API_KEYS: 'alice:key-alice:scrape,bob:key-bob:scrape,ops:key-ops:admin' });
+const { artifactStore } = server;
+const http = startServer(server);
+
+const as = key => ({ Authorization: `Bearer ${key}` });
+const get = (url, key) => fetch(`${http.baseURL}${url}`, { headers: as(key) });
+
+async function debugScrape(key) {
+  const response = await http.post('/scrape-user', { username: 'NASA', maxTweets: 1, debug: 'always' }, as(key));
+  return (await response.json()).scrape_id;
+}
+
+describe('artifact access', () => {
+  let scrapeId;
+  let files;
+  before(async () => {
+    scrapeId = await debugScrape('key-alice');
+    const response = await get(`/scrapes/${scrapeId}/artifacts`, 'key-alice');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.captures[0].owner, 'alice');
+    files = body.captures[0].files;
+  });
+
+  test('the key that ran the scrape can read its captures', async () => {
+    const response = await get(files['page.html'], 'key-alice');
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /Liftoff!/);
+  });
+
+  test('other keys get a 404 for the list and every file', async () => {
+    assert.equal((await get(`/scrapes/${scrapeId}/artifacts`, 'key-bob')).status, 404);
+    for (const url of Object.values(files)) {
+      assert.equal((await get(url, 'key-bob')).status, 404, url);
+    }
+  });
+
+  test('admin keys can read every capture', async () => {
+    assert.equal((await get(`/scrapes/${scrapeId}/artifacts`, 'key-ops')).status, 200);
+    assert.equal((await get(files['meta.json'], 'key-ops')).status, 200);
+  });
+});
+
+test('captures are tracked without walking the artifacts directory again', async () => {
+  const before = artifactStore.getStats().captures;
+  const captures = artifactStore.captures;
+  artifactStore.captures = () => assert.fail('the artifacts tree was scanned on the request path');
+
+  try {
+    assert.ok(await debugScrape('key-bob'));
+    const stats = artifactStore.getStats();
+    assert.equal(stats.captures, before + 1);
+    assert.equal(stats.captures, captures.call(artifactStore).length);
+  } finally {
+    artifactStore.captures = captures;
+  }
+});
+
+test('cached results never carry another key\'s artifacts link', async () => {
+  assert.ok(await debugScrape('key-alice'));
+
+  const response = await http.post('/scrape-user', { username: 'NASA', maxTweets: 1 }, as('key-bob'));
+  const body = await response.json();
+  assert.equal(body.cached, true);
+  assert.equal(body.artifacts, undefined);
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer } = require('./helpers/server');
+
+const server = loadServer({ SCRAPE_MIN_INTERVAL_MS: '1', SCRAPE_BACKOFF_INTERVAL_MS: '1' });
+const { circuitBreaker, metricsTracker } = server;
+
+// The stub pool hands out pages without the pool's own breaker check, like pages acquired before it opened
+const http = startServer(server);
+const { pool } = http;
+const post = async (path, body) => (await http.post(path, body)).json();
+
+beforeEach(() => {
+  pool.reset();
+  circuitBreaker.close();
+});
+
+test('a batch stops scraping once an account trips the breaker', async () => {
+  const body = await post('/scrape-batch', { accounts: ['busy', 'NASA', 'mixed'], concurrency: 1, fresh: true });
+
+  assert.deepEqual(body.results.map(r => [r.username, r.error_code]), [
+    ['busy', 'RATE_LIMITED'],
+    ['NASA', 'CIRCUIT_OPEN'],
+    ['mixed', 'CIRCUIT_OPEN']
+  ]);
+  assert.deepEqual(pool.visited, ['busy']);
+});
+
+test('monitor checks skip every account while the breaker is open', async () => {
+  await post('/monitors', { accounts: ['NASA', 'mixed'] });
+  circuitBreaker.trip('rate_limited');
+  const body = await post('/monitors/check', { accounts: ['NASA', 'mixed'] });
+
+  assert.deepEqual(body.results.map(r => [r.username, r.success, r.error_code]), [
+    ['NASA', false, 'CIRCUIT_OPEN'],
+    ['mixed', false, 'CIRCUIT_OPEN']
+  ]);
+  assert.deepEqual(pool.visited, []);
+});
+
+test('metrics sampling stops while the breaker is open', async () => {
+  metricsTracker.track({ tweetId: '1003', username: 'NASA' }, 1);
+  circuitBreaker.trip('rate_limited');
+  await metricsTracker.sampleDue();
+
+  assert.deepEqual(pool.visited, []);
+  assert.ok(metricsTracker.isDue(metricsTracker.tweets.get('1003')), 'the tweet is still due');
+});
+
+test('a list refused by the open breaker answers 503 with its cooldown as Retry-After', async () => {
+  circuitBreaker.trip('rate_limited');
+  const response = await http.post('/scrape-multiple', { accounts: ['NASA', 'mixed'], fresh: true });
+  const body = await response.json();
+
+  assert.equal(response.status, 503);
+  assert.equal(body.error_code, 'CIRCUIT_OPEN');
+  const retryAfter = Number(response.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  assert.deepEqual(pool.visited, []);
+});
+
+// Skips the cooldown so the next page through becomes the probe
+function halfOpen() {
+  circuitBreaker.trip('rate_limited');
+  circuitBreaker.reopensAt = Date.now() - 1;
+  circuitBreaker.refresh();
+  assert.equal(circuitBreaker.state, 'half_open');
+}
+
+test('only one page of a scrape probes; its siblings queue until the probe passes', async () => {
+  halfOpen();
+  await circuitBreaker.admit('s1', { holder: 's1/1' });
+  assert.throws(() => circuitBreaker.check('s2'), { code: 'CIRCUIT_OPEN' });
+
+  let admitted = false;
+  const sibling = circuitBreaker.admit('s1', { holder: 's1/2' }).then(() => { admitted = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(admitted, false, 'the sibling waits for the probe');
+
+  circuitBreaker.record(null);
+  await sibling;
+  assert.equal(circuitBreaker.state, 'closed');
+});
+
+test('a probe that hands its page back without a clean scrape leaves the breaker half open', async () => {
+  for (const code of ['TIMEOUT', 'NAVIGATION_FAILED', undefined]) {
+    halfOpen();
+    circuitBreaker.check('s1');
+    if (code) circuitBreaker.record(code);
+    circuitBreaker.release('s1');
+
+    assert.equal(circuitBreaker.state, 'half_open', `after ${code || 'a cached account'}`);
+    assert.equal(circuitBreaker.getStats().probe_scrape_id, null);
+    circuitBreaker.check('s2'); // The next page probes instead
+  }
+});
+
+test('a queued sibling becomes the probe when the first one gives up', async () => {
+  halfOpen();
+  circuitBreaker.check('s1', 's1/1');
+  const sibling = circuitBreaker.admit('s1', { holder: 's1/2' });
+
+  circuitBreaker.abandonProbe('s1', 's1/1');
+  await sibling;
+  assert.equal(circuitBreaker.state, 'half_open');
+  assert.deepEqual(circuitBreaker.probe, { scrapeId: 's1', holder: 's1/2' });
+});
@@ -0,0 +1,143 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, replayPage } = require('./helpers/server');
+
+const server = loadServer();
+
+async function open(path) {
+  const page = await replayPage(server);
+  await page.goto(`${server.X_ORIGIN}${path}`);
+  return page;
+}
+
+// Run the page checks scrapeSingleAccount runs after navigation
+async function checkProfile(username) {
+  const page = await open(`/${username}`);
+  const pageContent = await server.detectPageErrors(page, username);
+  await server.waitForTweets(page, 'test', pageContent, { username });
+}
+
+function scrapeError(code) {
+  return error => {
+    assert.ok(error instanceof server.ScrapeError, `expected a ScrapeError, got ${error}`);
+    assert.equal(error.code, code);
+    return true;
+  };
+}
+
+describe('detectPageErrors', () => {
+  test('redirects to the login flow require authentication', async () => {
+    await assert.rejects(checkProfile('walled'), scrapeError('AUTH_REQUIRED'));
+  });
+
+  test('rate limit pages are reported as rate limited', async () => {
+    await assert.rejects(checkProfile('busy'), scrapeError('RATE_LIMITED'));
+  });
+
+  test('rate limits are detected on search pages too', async () => {
+    const page = await open('/busy');
+    await assert.rejects(server.detectPageErrors(page, null), scrapeError('RATE_LIMITED'));
+  });
+
+  test('search results that mention rate limits are not a rate limit', async () => {
+    // A search for "rate limit" echoes the query into the title and search box as well
+    const page = await open('/search-rate-limit');
+    const pageContent = await server.detectPageErrors(page, null);
+    await server.waitForTweets(page, 'test', pageContent, { query: 'rate limit' });
+    const tweets = await server.extractTweets(page, null, 10, 'test');
+    assert.deepEqual(tweets.map(t => t.id), ['6001', '6002']);
+  });
+
+  test('suspended accounts', async () => {
+    await assert.rejects(checkProfile('suspended'), scrapeError('ACCOUNT_SUSPENDED'));
+  });
+
+  test('accounts that do not exist', async () => {
+    await assert.rejects(checkProfile('ghost'), scrapeError('ACCOUNT_NOT_FOUND'));
+  });
+
+  test('protected accounts', async () => {
+    await assert.rejects(checkProfile('locked'), scrapeError('ACCOUNT_PROTECTED'));
+  });
+
+  test('a healthy profile passes and returns the page HTML', async () => {
+    const page = await open('/NASA');
+    const pageContent = await server.detectPageErrors(page, 'NASA');
+    assert.match(pageContent, /Liftoff!/);
+  });
+
+  test('account status is only checked for profiles', async () => {
+    const page = await open('/suspended');
+    await server.detectPageErrors(page, null);
+  });
+
+  test('detectAccountStatus classifies page text', () => {
+    assert.equal(server.detectAccountStatus('<span>This account has been suspended</span>'), 'suspended');
+    assert.equal(server.detectAccountStatus('<span>Sorry, that page doesn\'t exist</span>'), 'not_found');
+    assert.equal(server.detectAccountStatus('<span>This account\'s Tweets are protected</span>'), 'protected');
+    assert.equal(server.detectAccountStatus('<article>hello</article>'), 'active');
+  });
+});
+
+describe('waitForTweets', () => {
+  test('login and sign-up walls require authentication', async () => {
+    await assert.rejects(checkProfile('signedout'), scrapeError('AUTH_REQUIRED'));
+  });
+
+  test('a profile without tweets has no tweets', async () => {
+    await assert.rejects(checkProfile('quiet'), scrapeError('NO_TWEETS'));
+  });
+
+  test('a search without results has no tweets', async () => {
+    const page = await open('/');
+    const pageContent = await server.detectPageErrors(page, null);
+    await assert.rejects(
+      server.waitForTweets(page, 'test', pageContent, { query: 'nothing to see' }),
+      scrapeError('NO_TWEETS')
+    );
+  });
+
+  test('ending up somewhere other than the profile is a navigation failure', async () => {
+    await assert.rejects(checkProfile('moved'), scrapeError('NAVIGATION_FAILED'));
+  });
+
+  test('returns once tweets are on the page', async () => {
+    await checkProfile('NASA');
+  });
+});
+
+describe('scrape results', () => {
+  const cases = {
+    walled: 'AUTH_REQUIRED',
+    busy: 'RATE_LIMITED',
+    suspended: 'ACCOUNT_SUSPENDED',
+    ghost: 'ACCOUNT_NOT_FOUND',
+    locked: 'ACCOUNT_PROTECTED',
+    signedout: 'AUTH_REQUIRED',
+    quiet: 'NO_TWEETS',
+    moved: 'NAVIGATION_FAILED'
+  };
+
+  for (const [username, code] of Object.entries(cases)) {
+    test(`@${username} fails with ${code}`, async () => {
+      const page = await replayPage(server);
+      const result = await server.scrapeSingleAccount(page, username, 3, 'test');
+
+      assert.equal(result.success, false);
+      assert.equal(result.error_code, code);
+      assert.equal(result.username, username);
+      assert.deepEqual(result.tweets, []);
+      assert.ok(result.error);
+    });
+  }
+
+  test('navigation failures without a fixture are reported, not thrown', async () => {
+    const page = await replayPage(server);
+    page.removeAllListeners('request');
+    page.on('request', request => request.abort('internet_disconnected'));
+
+    const result = await server.scrapeSingleAccount(page, 'NASA', 3, 'test');
+    assert.equal(result.success, false);
+    assert.match(result.error, /ERR_INTERNET_DISCONNECTED/);
+  });
+});
@@ -0,0 +1,164 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, replayPage } = require('./helpers/server');
+
+const server = loadServer();
+
+async function extract(path, username, maxTweets = 20) {
+  const page = await replayPage(server);
+  await page.goto(`${server.X_ORIGIN}${path}`);
+  return server.extractTweets(page, username, maxTweets, 'test');
+}
+
+describe('pinned and promoted tweets', () => {
+  test('are skipped on profiles however they are marked', async () => {
+    const tweets = await extract('/NASA', 'NASA');
+    const ids = tweets.map(t => t.id);
+
+    assert.ok(!ids.includes('1000'), 'pinned via socialContext');
+    assert.ok(!ids.includes('1001'), 'pinned via pin icon');
+    assert.ok(!ids.includes('1002'), 'promoted');
+    assert.deepEqual(ids, ['1003', '1004', '1006']);
+  });
+
+  test('do not use up the tweet limit', async () => {
+    const tweets = await extract('/NASA', 'NASA', 2);
+    assert.deepEqual(tweets.map(t => t.id), ['1003', '1004']);
+  });
+
+  test('are skipped in search results', async () => {
+    const tweets = await extract('/search?q=artemis', null);
+    assert.deepEqual(tweets.map(t => t.id), ['2003', '2001']);
+  });
+
+  test('leave an account with nothing else reported as having no tweets', async () => {
+    const page = await replayPage(server);
+    const result = await server.scrapeSingleAccount(page, 'onlyads', 5, 'test');
+
+    assert.equal(result.success, false);
+    assert.equal(result.error_code, 'NO_TWEETS');
+    assert.equal(result.count, 0);
+  });
+});
+
+describe('tweet fields', () => {
+  test('come from the article markup', async () => {
+    const [tweet] = await extract('/NASA', 'NASA', 1);
+
+    assert.equal(tweet.id, '1003');
+    assert.equal(tweet.username, 'NASA');
+    assert.equal(tweet.displayName, 'NASA');
+    assert.equal(tweet.text, 'Liftoff! The crew is on its way to the station.');
+    assert.equal(tweet.link, 'https://x.com/NASA/status/1003');
+    assert.equal(tweet.timestamp, '2024-05-02T10:00:00.000Z');
+    assert.equal(tweet.extracted_from, 'dom');
+    assert.equal(tweet.metric_labels, undefined);
+  });
+
+  test('take the author of search results from the status link', async () => {
+    const tweets = await extract('/search?q=artemis', null);
+    assert.deepEqual(tweets.map(t => t.username), ['bob', 'alice']);
+  });
+
+  test('skip tweets with too little text', async () => {
+    const tweets = await extract('/NASA', 'NASA');
+    assert.ok(!tweets.some(t => t.id === '1005'));
+  });
+});
+
+describe('relative time parsing', () => {
+  const MINUTE = 60 * 1000;
+
+  async function ageOf(id) {
+    const tweets = await extract('/relative', 'relative');
+    const tweet = tweets.find(t => t.id === id);
+    assert.ok(tweet, `tweet ${id} extracted`);
+    return Date.now() - new Date(tweet.timestamp).getTime();
+  }
+
+  function assertAge(age, expected) {
+    assert.ok(Math.abs(age - expected) < MINUTE, `expected ~${expected}ms, got ${age}ms`);
+  }
+
+  test('"now" and seconds count as the current time', async () => {
+    assertAge(await ageOf('3001'), 0);
+    assertAge(await ageOf('3002'), 0);
+  });
+
+  test('minutes, hours and days are subtracted from now', async () => {
+    assertAge(await ageOf('3003'), 5 * MINUTE);
+    assertAge(await ageOf('3004'), 3 * 60 * MINUTE);
+    assertAge(await ageOf('3005'), 2 * 24 * 60 * MINUTE);
+  });
+
+  test('the visible relative time is kept alongside the timestamp', async () => {
+    const tweets = await extract('/relative', 'relative');
+    assert.equal(tweets.find(t => t.id === '3004').relativeTime, '3h');
+  });
+
+  test('tweets without any usable time are dropped', async () => {
+    const tweets = await extract('/relative', 'relative');
+    assert.ok(!tweets.some(t => t.id === '3006'));
+    assert.deepEqual(tweets.map(t => t.id).slice(2), ['3003', '3004', '3005']);
+  });
+});
+
+describe('metric parsing', () => {
+  test('exact counts are read from aria-labels', async () => {
+    const tweet = (await extract('/NASA', 'NASA')).find(t => t.id === '1003');
+    assert.equal(tweet.likes, 1234);
+    assert.equal(tweet.retweets, 340);
+    assert.equal(tweet.replies, 12);
+    assert.equal(tweet.bookmarks, 5);
+    assert.equal(tweet.views, 98765);
+  });
+
+  test('abbreviated counts fall back to the visible text', async () => {
+    const tweet = (await extract('/NASA', 'NASA')).find(t => t.id === '1004');
+    assert.equal(tweet.likes, 1200); // Already-liked tweets render "unlike"
+    assert.equal(tweet.retweets, 4500);
+    assert.equal(tweet.replies, 87);
+    assert.equal(tweet.views, 3400000);
+  });
+
+  test('missing buttons count as zero, missing bookmarks and views as unknown', async () => {
+    const tweet = (await extract('/NASA', 'NASA')).find(t => t.id === '1006');
+    assert.equal(tweet.likes, 2);
+    assert.equal(tweet.retweets, 0);
+    assert.equal(tweet.replies, 0);
+    assert.equal(tweet.bookmarks, null);
+    assert.equal(tweet.views, null);
+  });
+
+  test('parseCount understands X number formats in any locale', () => {
+    const cases = {
+      '1,234': 1234,
+      '1.2K': 1200,
+      '3.4M': 3400000,
+      '2B': 2000000000,
+      '1,2 k': 1200,
+      '1.234': 1234,
+      '1 234': 1234,
+      '1 234 J’aime': 1234,
+      '2,5 Mio.': 2500000,
+      '1,5 Mrd.': 1500000000,
+      '12 Tsd.': 12000,
+      '1.5万': 15000,
+      '3億': 300000000,
+      '98765 views. View post analytics': 98765,
+      '': 0,
+      'Like': 0
+    };
+    for (const [text, expected] of Object.entries(cases)) {
+      assert.equal(server.parseCount(text), expected, text);
+    }
+    assert.equal(server.parseCount(null), 0);
+    assert.equal(server.parseCount(undefined), 0);
+    assert.equal(server.parseCount(41.6), 42);
+  });
+
+  test('applyDomMetrics leaves GraphQL tweets alone', () => {
+    const tweet = { id: '1', likes: 7, extracted_from: 'graphql' };
+    assert.equal(server.applyDomMetrics(tweet), tweet);
+  });
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/server');
+
+const server = loadServer();
+const html = text => server.tweetToHtml({ text, media: [] });
+
+test('links, mentions and hashtags in tweet text', () => {
+  assert.equal(
+    html('Go @NASA #Artemis https://nasa.gov/?a=1&b=2'),
+    '<p>Go <a href="https://x.com/NASA">@NASA</a> <a href="https://x.com/hashtag/Artemis">#Artemis</a> ' +
+      '<a href="https://nasa.gov/?a=1&amp;b=2">https://nasa.gov/?a=1&amp;b=2</a></p>'
+  );
+});
+
+test('@ and # inside a URL stay part of the link', () => {
+  assert.equal(
+    html('Also on https://mastodon.social/@nasa and https://example.com/page#top'),
+    '<p>Also on <a href="https://mastodon.social/@nasa">https://mastodon.social/@nasa</a> and ' +
+      '<a href="https://example.com/page#top">https://example.com/page#top</a></p>'
+  );
+});
+
+test('escaped characters are not mistaken for hashtags', () => {
+  assert.equal(html('It\'s <b>#1</b>'), '<p>It&apos;s &lt;b&gt;<a href="https://x.com/hashtag/1">#1</a>&lt;/b&gt;</p>');
+});
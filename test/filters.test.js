@@ -0,0 +1,153 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, replayPage, startServer } = require('./helpers/server');
+
+const server = loadServer();
+
+async function scrape(body, tweetsPerAccount = 10) {
+  const { filters, error } = server.parseTweetFilters(body);
+  assert.equal(error, undefined);
+  const page = await replayPage(server);
+  return server.scrapeSingleAccount(page, 'mixed', tweetsPerAccount, 'test', { extractionMode: 'dom', filters });
+}
+
+const ids = result => result.tweets.map(t => t.id);
+
+describe('tweet types from the page', () => {
+  let tweets;
+  before(async () => {
+    const page = await replayPage(server);
+    await page.goto(`${server.X_ORIGIN}/mixed`);
+    tweets = await server.extractTweets(page, 'mixed', 20, 'test');
+  });
+  const byId = id => tweets.find(t => t.id === id);
+
+  test('every tweet is classified', () => {
+    assert.deepEqual(tweets.map(t => [t.id, t.type]), [
+      ['5001', 'original'],
+      ['5002', 'retweet'],
+      ['5003', 'reply'],
+      ['5004', 'quote'],
+      ['5005', 'original']
+    ]);
+  });
+
+  test('retweets keep the account as username and name the original author', () => {
+    const retweet = byId('5002');
+    assert.equal(retweet.username, 'mixed');
+    assert.deepEqual(retweet.original_author, { username: 'bob', displayName: 'Bob' });
+    assert.equal(byId('5001').original_author, null);
+  });
+
+  test('replies name who they reply to', () => {
+    assert.equal(byId('5003').in_reply_to_username, 'alice');
+    assert.equal(byId('5004').in_reply_to_username, null);
+  });
+
+  test('language comes from the tweet text, not the quoted tweet', () => {
+    assert.equal(byId('5003').lang, 'es');
+    assert.equal(byId('5004').lang, 'fr');
+  });
+});
+
+describe('tweet types from GraphQL', () => {
+  const user = (id, screenName) => ({ core: { user_results: { result: { rest_id: id, core: { screen_name: screenName, name: screenName.toUpperCase() } } } } });
+  const tweet = (id, owner, legacy = {}) => ({
+    rest_id: id,
+    ...user(`u${id}`, owner),
+    legacy: { created_at: 'Thu May 02 10:00:00 +0000 2024', full_text: 'text', lang: 'en', ...legacy }
+  });
+
+  test('originals, replies, quotes and retweets', () => {
+    assert.equal(server.graphqlTweetToObject(tweet('1', 'mixed')).type, 'original');
+    assert.equal(server.graphqlTweetToObject(tweet('2', 'mixed', { in_reply_to_status_id_str: '1' })).type, 'reply');
+    assert.equal(server.graphqlTweetToObject(tweet('3', 'mixed', { is_quote_status: true })).type, 'quote');
+
+    const retweet = server.graphqlTweetToObject(tweet('4', 'mixed', {
+      retweeted_status_result: { result: tweet('5', 'bob', { in_reply_to_status_id_str: '9' }) }
+    }));
+    assert.equal(retweet.type, 'retweet');
+    assert.equal(retweet.username, 'mixed');
+    assert.deepEqual(retweet.original_author, { username: 'bob', displayName: 'BOB' });
+  });
+});
+
+describe('filters', () => {
+  test('include and exclude by type', async () => {
+    assert.deepEqual(ids(await scrape({ include: ['original', 'quote'] })), ['5001', '5004', '5005']);
+    assert.deepEqual(ids(await scrape({ exclude: 'retweet,reply' })), ['5001', '5004', '5005']);
+  });
+
+  test('keywords match any of them, ignoring case', async () => {
+    assert.deepEqual(ids(await scrape({ keywords: ['LAUNCH', 'checklist'] })), ['5001', '5002', '5005']);
+  });
+
+  test('regex matches the text case-insensitively', async () => {
+    assert.deepEqual(ids(await scrape({ regex: '^(booster|magnifique)\\b' })), ['5002', '5004']);
+  });
+
+  test('regex runs in linear time, so catastrophic patterns return at once', () => {
+    const { filters } = server.parseTweetFilters({ regex: '(a+)+$' });
+    const matches = server.tweetFilter(filters);
+    const started = Date.now();
+    assert.equal(matches({ text: 'a'.repeat(5000) + '!' }), false);
+    assert.equal(matches({ text: 'aaa' }), true);
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+  });
+
+  test('minimum likes and retweets', async () => {
+    assert.deepEqual(ids(await scrape({ min_likes: 20 })), ['5001', '5002', '5004']);
+    assert.deepEqual(ids(await scrape({ min_likes: '20', min_retweets: 10 })), ['5002']);
+  });
+
+  test('language', async () => {
+    assert.deepEqual(ids(await scrape({ lang: 'es,FR' })), ['5003', '5004']);
+  });
+
+  test('has media', async () => {
+    assert.deepEqual(ids(await scrape({ has_media: true })), ['5001']);
+    assert.deepEqual(ids(await scrape({ has_media: 'false' })), ['5002', '5003', '5004', '5005']);
+  });
+
+  test('are applied before tweetsPerAccount is counted', async () => {
+    const result = await scrape({ exclude: ['original'] }, 2);
+    assert.deepEqual(ids(result), ['5002', '5003']);
+    assert.equal(result.count, 2);
+  });
+
+  test('that match nothing report NO_TWEETS with a filter warning', async () => {
+    const result = await scrape({ keywords: 'nothing like this' });
+    assert.equal(result.success, false);
+    assert.equal(result.error_code, 'NO_TWEETS');
+    assert.match(result.warning, /filters/);
+  });
+
+  test('invalid values are rejected', () => {
+    assert.match(server.parseTweetFilters({ include: ['original', 'thread'] }).error, /Invalid include type "thread"/);
+    assert.match(server.parseTweetFilters({ regex: '(' }).error, /Invalid regex/);
+    assert.match(server.parseTweetFilters({ regex: '(a)\\1' }).error, /Invalid regex/);
+    assert.match(server.parseTweetFilters({ regex: 'launch(?= day)' }).error, /Invalid regex/);
+    assert.match(server.parseTweetFilters({ regex: 'a'.repeat(201) }).error, /at most 200/);
+    assert.deepEqual(server.parseTweetFilters({}), { filters: null });
+  });
+});
+
+describe('filter parameters over HTTP', () => {
+  const { post } = startServer(server);
+
+  for (const path of ['/scrape-user', '/scrape-multiple', '/scrape-batch']) {
+    test(`${path} rejects invalid filters before scraping`, async () => {
+      const response = await post(path, { username: 'mixed', accounts: ['mixed'], exclude: ['boosts'] });
+      assert.equal(response.status, 400);
+      const body = await response.json();
+      assert.equal(body.error_code, 'INVALID_REQUEST');
+      assert.match(body.error, /Invalid exclude type/);
+    });
+  }
+
+  test('filters are validated against the schema', async () => {
+    const response = await post('/scrape-user', { username: 'mixed', min_likes: -1 });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /min_likes must be at least 0/);
+  });
+});
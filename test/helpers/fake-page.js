@@ -0,0 +1,88 @@
+// jsdom-backed stand-in for a puppeteer Page. Navigation goes through request interception,
+// so fixture replay answers it exactly as it would in Chrome; evaluate() runs inside the window.
+const { EventEmitter } = require('events');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const MAX_REDIRECTS = 5;
+
+class FakePage extends EventEmitter {
+  constructor() {
+    super();
+    this.dom = null;
+    this.currentUrl = 'about:blank';
+    this.intercepting = false;
+  }
+
+  async setRequestInterception(value) {
+    this.intercepting = value;
+  }
+
+  async goto(url, options = {}, redirects = 0) {
+    if (!this.intercepting || this.listenerCount('request') === 0) {
+      throw new Error(`net::ERR_INTERNET_DISCONNECTED at ${url}`);
+    }
+
+    const answer = await new Promise(resolve => {
+      this.emit('request', {
+        url: () => url,
+        method: () => 'GET',
+        resourceType: () => 'document',
+        isNavigationRequest: () => true,
+        failure: () => null,
+        respond: async response => resolve({ response }),
+        abort: async (reason = 'failed') => resolve({ aborted: reason }),
+        continue: async () => resolve({ aborted: 'internet_disconnected' })
+      });
+    });
+    if (answer.aborted) throw new Error(`net::ERR_${answer.aborted.toUpperCase()} at ${url}`);
+
+    const { status, headers = {}, body = '' } = answer.response;
+    if (status >= 300 && status < 400 && headers.location) {
+      if (redirects >= MAX_REDIRECTS) throw new Error(`net::ERR_TOO_MANY_REDIRECTS at ${url}`);
+      return this.goto(headers.location, options, redirects + 1);
+    }
+
+    this.load(url, body);
+    return { status: () => status, ok: () => status < 400, url: () => url };
+  }
+
+  // Scripts in recorded pages never run; only evaluate() executes code in the window
+  load(url, html) {
+    if (this.dom) this.dom.window.close();
+    this.dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+    this.currentUrl = url;
+
+    // jsdom has no layout, so innerText falls back to textContent
+    Object.defineProperty(this.dom.window.HTMLElement.prototype, 'innerText', {
+      get() { return this.textContent; }
+    });
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async content() {
+    return this.dom ? this.dom.serialize() : '<html><head></head><body></body></html>';
+  }
+
+  // Puppeteer serializes results across the protocol; JSON round-tripping does the same here
+  async evaluate(fn, ...args) {
+    const result = await this.dom.window.eval(`(${fn})`)(...args);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  // A recorded page never changes, so anything missing now will never appear
+  async waitForSelector(selector) {
+    const element = this.dom?.window.document.querySelector(selector);
+    if (!element) throw new Error(`Waiting for selector \`${selector}\` failed: timeout exceeded`);
+    return element;
+  }
+
+  close() {
+    if (this.dom) this.dom.window.close();
+    this.dom = null;
+  }
+}
+
+module.exports = { FakePage };
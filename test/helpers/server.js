@@ -0,0 +1,96 @@
+// Load server.js for offline tests: fixture replay, a throwaway data dir, no scroll delays.
+// Each test file runs in its own process, so env overrides (like X_ORIGIN) stay per file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { before, after } = require('node:test');
+const { FakePage } = require('./fake-page');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function loadServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-test-'));
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    REPLAY_FIXTURES_DIR: FIXTURES_DIR,
+    LOG_LEVEL: 'silent',
+    SCROLL_DELAY: '1',
+    TWEET_FRESHNESS_DAYS: '36500', // Fixtures carry fixed dates
+    ...env
+  });
+  return require('../../server');
+}
+
+// A page set up the way acquirePage sets one up in replay mode
+async function replayPage(server) {
+  const page = new FakePage();
+  await server.fixtureReplay.attach(page, 'test');
+  return page;
+}
+
+// Stand in for the browser pool with replayed pages. The returned record lists the pages handed
+// out and given back and the paths visited; `failWith` makes acquirePage throw. `onGoto(path)`
+// runs before every navigation and may return a promise to slow it down.
+function stubPool(server, { onGoto } = {}) {
+  const pool = {
+    acquired: [],
+    released: [],
+    visited: [],
+    failWith: null,
+    reset() {
+      Object.assign(pool, { acquired: [], released: [], visited: [], failWith: null });
+    }
+  };
+
+  server.browserPool.acquirePage = async (scrapeId, { debug } = {}) => {
+    if (pool.failWith) throw pool.failWith;
+    const page = await replayPage(server);
+    page.screenshot = async ({ path: file }) => fs.writeFileSync(file, 'png');
+    if (debug) server.artifactStore.watch(page, debug); // As the pool does in debug mode
+
+    const goto = page.goto.bind(page);
+    page.goto = async (url, ...rest) => {
+      const pathname = new URL(url).pathname.slice(1);
+      pool.visited.push(pathname);
+      if (onGoto) await onGoto(pathname);
+      return goto(url, ...rest);
+    };
+
+    const pageId = `page-${pool.acquired.length + 1}`;
+    pool.acquired.push(pageId);
+    return { pageId, page };
+  };
+  server.browserPool.releasePage = async (pageId) => {
+    pool.released.push(pageId);
+  };
+
+  return pool;
+}
+
+// Serve the app on a free port for the test file, on a stubbed pool (see stubPool).
+// `baseURL` is set once the before() hook ran.
+function startServer(server, options) {
+  const http = {
+    pool: stubPool(server, options),
+    baseURL: null,
+    post: (route, body, headers = {}) => fetch(`${http.baseURL}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    })
+  };
+
+  let listener;
+  before(async () => {
+    listener = server.app.listen(0, '127.0.0.1');
+    await new Promise(resolve => listener.once('listening', resolve));
+    http.baseURL = `http://127.0.0.1:${listener.address().port}`;
+  });
+  after(() => listener.close());
+
+  return http;
+}
+
+module.exports = { FIXTURES_DIR, loadServer, replayPage, stubPool, startServer };
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, stubPool } = require('./helpers/server');
+
+const server = loadServer();
+const { metricsTracker } = server;
+const pool = stubPool(server);
+
+test('a failed save neither rejects nor blocks the next sampling round', async () => {
+  metricsTracker.track({ tweetId: '1003', username: 'NASA' }, 1);
+
+  pool.failWith = new server.ScrapeError('POOL_EXHAUSTED', 'Scrape queue is full');
+  metricsTracker.save = () => {
+    throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+  };
+
+  try {
+    await metricsTracker.sampleDue();
+    assert.equal(metricsTracker.isSampling, false);
+  } finally {
+    delete metricsTracker.save;
+  }
+});
+
+test('a successful sample counts as a clean scrape for the circuit breaker', async () => {
+  const { circuitBreaker } = server;
+  pool.reset();
+  metricsTracker.track({ tweetId: '1003', username: 'NASA' }, 1);
+  metricsTracker.tweets.get('1003').last_sampled_at = null;
+
+  // Cooldown over: the sampling page is the probe
+  circuitBreaker.trip('rate_limited');
+  circuitBreaker.reopensAt = Date.now() - 1;
+  await metricsTracker.sampleDue();
+
+  assert.deepEqual(pool.visited, ['NASA/status/1003']);
+  assert.equal(metricsTracker.tweets.get('1003').samples.at(-1).likes, 1234);
+  assert.equal(circuitBreaker.state, 'closed');
+});
@@ -0,0 +1,26 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer } = require('./helpers/server');
+
+const server = loadServer({ SCRAPE_MIN_INTERVAL_MS: '1', MONITOR_MAX_NEW_TWEETS: '2' });
+const http = startServer(server);
+const post = async (path, body) => (await http.post(path, body)).json();
+
+beforeEach(() => http.pool.reset());
+
+test('a check catches up on every tweet since the last one seen, not just tweets_per_check', async () => {
+  await post('/monitors', { username: 'NASA', sinceId: '1003', tweetsPerCheck: 1 });
+  const { results: [result] } = await post('/monitors/check', { accounts: ['NASA'] });
+
+  assert.deepEqual(result.new_tweets.map(t => t.id), ['1006', '1004']);
+  assert.equal(result.truncated, false);
+  assert.equal(result.last_seen_id, '1006');
+});
+
+test('a catch-up cut short by MONITOR_MAX_NEW_TWEETS is flagged as truncated', async () => {
+  await post('/monitors', { username: 'mixed', sinceId: '1', tweetsPerCheck: 1 });
+  const { results: [result] } = await post('/monitors/check', { accounts: ['mixed'] });
+
+  assert.equal(result.count, 2);
+  assert.equal(result.truncated, true);
+});
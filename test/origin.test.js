@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, replayPage } = require('./helpers/server');
+
+// A mirror (or a local fixture server) instead of x.com
+const server = loadServer({ X_ORIGIN: 'http://mirror.test:8080/' });
+
+test('the origin is normalized without a trailing slash', () => {
+  assert.equal(server.X_ORIGIN, 'http://mirror.test:8080');
+});
+
+test('scrapes navigate to the configured origin and build links on it', async () => {
+  const page = await replayPage(server);
+  const result = await server.scrapeSingleAccount(page, 'NASA', 1, 'test');
+
+  assert.equal(page.url(), 'http://mirror.test:8080/NASA');
+  assert.equal(result.success, true);
+  assert.equal(result.tweets[0].link, 'http://mirror.test:8080/NASA/status/1003');
+});
+
+test('search URLs use the configured origin', () => {
+  assert.equal(server.buildSearchURL('artemis', 'top'), 'http://mirror.test:8080/search?q=artemis&src=typed_query&f=top');
+});
+
+test('replay only answers the configured origin', () => {
+  assert.equal(server.fixtureReplay.fixtureFor('https://x.com/NASA'), null);
+  assert.ok(server.fixtureReplay.fixtureFor('http://mirror.test:8080/NASA'));
+});
+
+test('URLs on the configured origin are accepted as scrape targets', () => {
+  assert.deepEqual(server.parseTwitterURL('http://mirror.test:8080/NASA'), { type: 'profile', username: 'NASA' });
+  assert.deepEqual(server.parseTwitterURL('https://x.com/NASA'), { type: 'profile', username: 'NASA' });
+  assert.equal(server.parseTwitterURL('https://example.com/NASA'), null);
+  assert.deepEqual(
+    server.parseStatusTarget('http://mirror.test:8080/NASA/status/1003'),
+    server.parseStatusTarget('https://x.com/NASA/status/1003')
+  );
+});
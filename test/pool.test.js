@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/server');
+const { FakePage } = require('./helpers/fake-page');
+
+const server = loadServer();
+const { browserPool, X_ORIGIN } = server;
+
+// A browser whose pages are replayed FakePages that accept the pool's page setup
+const closed = [];
+browserPool.browser = {
+  isConnected: () => true,
+  version: async () => 'fake',
+  createBrowserContext: async () => {
+    const page = new FakePage();
+    for (const method of ['setUserAgent', 'setCacheEnabled', 'setExtraHTTPHeaders', 'evaluateOnNewDocument']) {
+      page[method] = async () => {};
+    }
+    return { newPage: async () => page, close: async () => { closed.push(page); } };
+  }
+};
+
+const MINUTE = 60 * 1000;
+
+test('the health check only sweeps pages that stopped making requests', async () => {
+  const busy = await browserPool.acquirePage('long-scrape');
+  const leaked = await browserPool.acquirePage('leaked-scrape');
+  for (const { pageId } of [busy, leaked]) {
+    const pageInfo = browserPool.pages.get(pageId);
+    pageInfo.created -= 11 * MINUTE;
+    pageInfo.lastActive -= 11 * MINUTE;
+  }
+
+  // The long scrape is still working through its accounts when the sweep runs
+  await busy.page.goto(`${X_ORIGIN}/NASA`);
+  await browserPool.healthCheck();
+
+  assert.ok(browserPool.pages.has(busy.pageId), 'the busy page is kept');
+  assert.ok(!browserPool.pages.has(leaked.pageId), 'the idle page is released');
+  assert.deepEqual(closed, [leaked.page]);
+  assert.deepEqual([...browserPool.activeScrapes.keys()], ['long-scrape']);
+
+  await browserPool.releasePage(busy.pageId, 'long-scrape');
+});
@@ -0,0 +1,118 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FIXTURES_DIR, loadServer, replayPage } = require('./helpers/server');
+
+const server = loadServer();
+const { fixtureReplay } = server;
+
+// Just enough of a puppeteer HTTPRequest to see how replay answers it
+function fakeRequest(url, { navigation = true } = {}) {
+  const request = {
+    answer: null,
+    url: () => url,
+    isNavigationRequest: () => navigation,
+    respond: async response => { request.answer = { respond: response }; },
+    abort: async reason => { request.answer = { abort: reason }; }
+  };
+  return request;
+}
+
+describe('fixture lookup', () => {
+  test('maps paths to fixture files, ignoring case and query', () => {
+    const fixture = fixtureReplay.fixtureFor('https://x.com/NASA?lang=en');
+    assert.deepEqual(fixture, { file: path.join(FIXTURES_DIR, 'nasa.html'), type: 'html' });
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/search?q=artemis&f=live').file, path.join(FIXTURES_DIR, 'search.html'));
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/').file, path.join(FIXTURES_DIR, 'index.html'));
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/i/flow/login').file, path.join(FIXTURES_DIR, 'i', 'flow', 'login.html'));
+  });
+
+  test('finds redirect fixtures', () => {
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/walled').type, 'redirect');
+  });
+
+  test('only serves the configured origin', () => {
+    assert.equal(fixtureReplay.fixtureFor('https://twitter.com/NASA'), null);
+    assert.equal(fixtureReplay.fixtureFor('https://abs.twimg.com/nasa'), null);
+    assert.equal(fixtureReplay.fixtureFor('not a url'), null);
+  });
+
+  test('never reads outside the fixtures directory', () => {
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/%2e%2e/package'), null);
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/..%2F..%2Fpackage'), null);
+    assert.equal(fixtureReplay.fixtureFor('https://x.com/unknown-account'), null);
+  });
+});
+
+describe('request interception', () => {
+  test('answers navigations with the recorded page', () => {
+    const request = fakeRequest('https://x.com/NASA');
+    fixtureReplay.respond(request, 'test');
+    assert.equal(request.answer.respond.status, 200);
+    assert.match(request.answer.respond.body, /Liftoff!/);
+  });
+
+  test('answers redirect fixtures with a redirect', () => {
+    const request = fakeRequest('https://x.com/walled');
+    fixtureReplay.respond(request, 'test');
+    assert.equal(request.answer.respond.status, 302);
+    assert.equal(request.answer.respond.headers.location, 'https://x.com/i/flow/login');
+  });
+
+  test('answers unknown pages with an empty 404', () => {
+    const missing = fixtureReplay.getStats().missing;
+    const request = fakeRequest('https://x.com/unknown-account');
+    fixtureReplay.respond(request, 'test');
+    assert.equal(request.answer.respond.status, 404);
+    assert.equal(fixtureReplay.getStats().missing, missing + 1);
+  });
+
+  test('blocks scripts, API calls and other origins', () => {
+    for (const request of [
+      fakeRequest('https://x.com/i/api/graphql/abc/UserTweets', { navigation: false }),
+      fakeRequest('https://abs.twimg.com/responsive-web/client-web/main.js', { navigation: false }),
+      fakeRequest('https://example.com/')
+    ]) {
+      fixtureReplay.respond(request, 'test');
+      assert.equal(request.answer.abort, 'blockedbyclient', request.url());
+    }
+  });
+});
+
+describe('replayed scrapes', () => {
+  test('a profile scrape runs end to end without the network', async () => {
+    const page = await replayPage(server);
+    const result = await server.scrapeSingleAccount(page, '@NASA', 2, 'test');
+
+    assert.equal(result.success, true);
+    assert.equal(result.username, 'NASA');
+    assert.equal(result.count, 2);
+    assert.deepEqual(result.tweets.map(t => t.id), ['1003', '1004']);
+    assert.equal(result.tweets[0].likes, 1234);
+  });
+
+  test('old tweets are still dropped by the freshness cutoff', async (t) => {
+    process.env.TWEET_FRESHNESS_DAYS = '7';
+    t.after(() => { process.env.TWEET_FRESHNESS_DAYS = '36500'; });
+
+    const page = await replayPage(server);
+    const result = await server.scrapeSingleAccount(page, 'NASA', 3, 'test');
+    assert.equal(result.success, false);
+    assert.equal(result.error_code, 'NO_TWEETS');
+  });
+
+  test('a search scrape runs end to end without the network', async () => {
+    const page = await replayPage(server);
+    const result = await server.scrapeSearch(page, 'artemis', 'latest', 5, 'test');
+
+    assert.equal(result.success, true);
+    assert.equal(result.search_url, 'https://x.com/search?q=artemis&src=typed_query&f=live');
+    assert.deepEqual(result.tweets.map(t => `${t.username}/${t.id}`), ['bob/2003', 'alice/2001']);
+    assert.equal(result.tweets[0].retweets, 1234);
+  });
+
+  test('served pages are counted', () => {
+    assert.ok(fixtureReplay.getStats().served > 0);
+    assert.equal(fixtureReplay.getStats().enabled, true);
+  });
+});
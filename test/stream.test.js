@@ -0,0 +1,215 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer } = require('./helpers/server');
+
+const server = loadServer({ SCRAPE_MIN_INTERVAL_MS: '50', SCRAPE_BACKOFF_INTERVAL_MS: '100', SSE_HEARTBEAT_MS: '100' });
+const { browserPool } = server;
+
+// `delayMs` slows every navigation down
+let delayMs = 0;
+const http = startServer(server, { onGoto: () => new Promise(resolve => setTimeout(resolve, delayMs)) });
+const { pool } = http;
+
+beforeEach(() => {
+  pool.reset();
+  delayMs = 0;
+});
+
+// Parse an event stream, optionally stopping once `until` returns true (the connection stays open)
+async function readEvents(response, until = () => false) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = {};
+      for (const line of block.split('\n')) {
+        const [, field, value] = line.match(/^(\w+): (.*)$/) || [];
+        if (field === 'data') event.data = JSON.parse(value);
+        else if (field) event[field] = value;
+      }
+      events.push(event);
+      if (until(event, events)) {
+        reader.releaseLock();
+        return events;
+      }
+    }
+  }
+  return events;
+}
+
+async function waitFor(condition, what = 'condition met') {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.ok(condition(), `${what} within 2s`);
+}
+
+const named = (events, name) => events.filter(e => e.event === name);
+
+function stream(query, options = {}) {
+  return fetch(`${http.baseURL}/scrape-batch/stream?${new URLSearchParams(query)}`, options);
+}
+
+describe('GET /scrape-batch/stream', () => {
+  test('streams every stage of the scrape', async () => {
+    const response = await stream({ accounts: 'NASA,mixed,ghost', tweetsPerAccount: '2', concurrency: '2', fresh: 'true' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+    assert.equal(events[0].event, 'start');
+    assert.deepEqual(
+      { ...events[0].data, batch_id: undefined },
+      { batch_id: undefined, total_accounts: 3, tweets_per_account: 2, concurrency: 2, total_batches: 2 }
+    );
+    assert.equal(events.at(-1).event, 'summary');
+
+    assert.deepEqual(named(events, 'account_start').map(e => e.data.username).sort(), ['NASA', 'ghost', 'mixed']);
+    assert.deepEqual(named(events, 'batch_start').map(e => e.data.accounts), [['NASA', 'mixed'], ['ghost']]);
+    assert.deepEqual(named(events, 'batch_complete').map(e => e.data.batch).sort(), [1, 2]);
+    assert.ok(named(events, 'wait').length > 0, 'rate budget waits are reported');
+    assert.ok(named(events, 'wait').every(e => e.data.wait_ms > 0));
+
+    const completed = Object.fromEntries(named(events, 'account_complete').map(e => [e.data.result.username, e.data]));
+    assert.equal(completed.NASA.result.count, 2);
+    assert.equal(completed.NASA.result.tweets.length, 2);
+    assert.equal(completed.ghost.result.error_code, 'ACCOUNT_NOT_FOUND');
+    assert.ok(completed.ghost.suggestion);
+    assert.equal(completed.ghost.batch, 2);
+
+    const summary = events.at(-1).data;
+    assert.equal(summary.success, true);
+    assert.equal(summary.total_tweets, 4);
+    assert.equal(summary.successful_accounts, 2);
+    assert.equal(summary.failed_accounts, 1);
+
+    // Event IDs count up so clients can tell events apart
+    assert.deepEqual(events.map(e => Number(e.id)), events.map((_, i) => i + 1));
+    assert.deepEqual(pool.released.sort(), pool.acquired.sort());
+  });
+
+  test('sends heartbeats while accounts are scraping', async () => {
+    delayMs = 350;
+    const events = await readEvents(await stream({ accounts: 'NASA', fresh: 'true' }));
+    assert.ok(named(events, 'heartbeat').length >= 2);
+    assert.ok(named(events, 'heartbeat').every(e => !isNaN(Date.parse(e.data.time))));
+  });
+
+  test('closing the connection cancels the remaining accounts and releases the page', async () => {
+    delayMs = 300;
+    const controller = new AbortController();
+    const response = await stream({ accounts: 'NASA,mixed,relative,quiet', concurrency: '1', fresh: 'true' }, { signal: controller.signal });
+
+    await readEvents(response, event => event.event === 'account_start');
+    await waitFor(() => pool.visited.length > 0, 'first scrape started');
+    controller.abort();
+
+    // The scrape already running finishes, then the page goes back to the pool
+    await waitFor(() => pool.released.length > 0, 'page released');
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    assert.deepEqual(pool.acquired, ['page-1']);
+    assert.deepEqual(pool.released, ['page-1']);
+    assert.deepEqual(pool.visited, ['NASA']);
+  });
+
+  test('a batch that cannot start ends with an error event', async () => {
+    pool.failWith = new server.ScrapeError('POOL_EXHAUSTED', 'Scrape queue is full', { retryAfter: 7 });
+    const events = await readEvents(await stream({ accounts: 'NASA', fresh: 'true' }));
+
+    assert.deepEqual(events.map(e => e.event), ['start', 'batch_start', 'account_start', 'error']);
+    assert.equal(events[3].data.error_code, 'POOL_EXHAUSTED');
+    assert.equal(events[3].data.retry_after, 7);
+    assert.ok(events[3].data.suggestion);
+  });
+
+  test('invalid parameters are rejected before the stream starts', async () => {
+    const response = await stream({ accounts: 'NASA', concurrency: '99' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error_code, 'INVALID_REQUEST');
+
+    const missing = await stream({});
+    assert.equal(missing.status, 400);
+    assert.match((await missing.json()).error, /accounts is required/);
+  });
+
+  test('reconnects are told to stop with 204', async () => {
+    const response = await stream({ accounts: 'NASA' }, { headers: { 'Last-Event-ID': '12' } });
+    assert.equal(response.status, 204);
+    assert.deepEqual(pool.acquired, []);
+  });
+});
+
+describe('POST /scrape-batch', () => {
+  const post = (body, headers) => http.post('/scrape-batch', body, headers);
+
+  test('streams when the client accepts text/event-stream', async () => {
+    const response = await post({ accounts: ['NASA', 'mixed'], tweetsPerAccount: 1, fresh: true }, { Accept: 'text/event-stream' });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+    assert.equal(named(events, 'account_complete').length, 2);
+    assert.equal(events.at(-1).data.total_tweets, 2);
+  });
+
+  test('still answers with JSON otherwise', async () => {
+    const response = await post({ accounts: ['NASA'], tweetsPerAccount: 1, fresh: true });
+    assert.match(response.headers.get('content-type'), /^application\/json/);
+    const body = await response.json();
+    assert.equal(body.success, true);
+    assert.equal(body.results[0].count, 1);
+  });
+
+  test('X-Request-Id becomes the batch ID unless a running request holds it', async () => {
+    delayMs = 200;
+    const body = { accounts: ['NASA'], tweetsPerAccount: 1, fresh: true };
+    const first = post(body, { 'X-Request-Id': 'client-42' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const second = await post(body, { 'X-Request-Id': 'client-42' });
+
+    assert.equal(second.headers.get('x-request-id'), 'client-42');
+    const minted = (await second.json()).batch_id;
+    assert.notEqual(minted, 'client-42');
+    assert.equal((await (await first).json()).batch_id, 'client-42');
+
+    // Free again once the first request is done
+    const again = await post(body, { 'X-Request-Id': 'client-42' });
+    assert.equal((await again.json()).batch_id, 'client-42');
+  });
+
+  test('an X-Request-Id that is not a plain name is replaced', async () => {
+    const response = await post({ accounts: ['NASA'], tweetsPerAccount: 1 }, { 'X-Request-Id': '../../etc' });
+    const { batch_id: batchId } = await response.json();
+    assert.match(batchId, /^[0-9a-f]{12}$/);
+    assert.equal(response.headers.get('x-request-id'), batchId);
+  });
+});
+
+describe('pool queue cancellation', () => {
+  test('an aborted waiter leaves the queue', async () => {
+    const realPool = Object.getPrototypeOf(browserPool);
+    const creating = browserPool.creating;
+    browserPool.creating = browserPool.maxPages; // No free slots, so the waiter has to queue
+
+    try {
+      const controller = new AbortController();
+      const waiting = realPool.enqueue.call(browserPool, 'queued-scrape', 'normal', 60000, controller.signal);
+      assert.equal(browserPool.queue.length, 1);
+
+      controller.abort();
+      await assert.rejects(waiting, { name: 'AbortError' });
+      assert.equal(browserPool.queue.length, 0);
+    } finally {
+      browserPool.creating = creating;
+    }
+  });
+});
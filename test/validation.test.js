@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer } = require('./helpers/server');
+
+const server = loadServer();
+const http = startServer(server);
+const { post } = http;
+
+// Jobs start in the background; they only need to fail fast here
+http.pool.failWith = new server.ScrapeError('POOL_EXHAUSTED', 'Scrape queue is full');
+
+test('numeric strings reach the handler as numbers', async () => {
+  const response = await post('/jobs', { accounts: ['NASA', 'mixed'], tweetsPerAccount: '1', batchSize: ' 3 ' });
+  assert.equal(response.status, 202);
+
+  const job = await (await fetch(`${http.baseURL}/jobs/${(await response.json()).job_id}`)).json();
+  assert.equal(job.job.tweets_per_account, 1);
+  assert.equal(job.job.batch_size, 3);
+});
+
+test('invalid bodies name every problem once', async () => {
+  const response = await post('/jobs', { accounts: [], batchSize: 'three' });
+  assert.equal(response.status, 400);
+
+  const body = await response.json();
+  assert.equal(body.error_code, 'INVALID_REQUEST');
+  assert.deepEqual(body.details, ['accounts must contain at least 1 item(s)', 'batchSize must be an integer']);
+  assert.equal(body.error, body.details[0]);
+});